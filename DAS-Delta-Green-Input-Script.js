@@ -122,6 +122,8 @@ class DeltaGreenInputProcessor {
 
   /**
    * ENGAGE - Combat or direct engagement action
+   * When the AI Dungeon library's Combat module is loaded, the modifiers name the weapon
+   * and the attack is resolved against the agent's sheet; otherwise the outcome stays PENDING.
    */
   handleEngage(agentId, threat, ...modifiers) {
     if (!agentId || !threat) {
@@ -138,6 +140,21 @@ class DeltaGreenInputProcessor {
 
     this.checkThreatLevel(threat);
 
+    if (typeof Combat !== 'undefined' && Combat && typeof Combat.attack === 'function') {
+      const attack = Combat.attack(agentId, modifiers.join(' ') || 'unarmed', threat);
+      if (!attack) {
+        return this.formatResponse('ERROR', `Agent ${agentId} not found`);
+      }
+      if (attack.error) {
+        const reason = Combat.attackError(agentId, attack) || 'ENGAGE requires agent ID and threat designation';
+        return this.formatResponse('ERROR', `Engagement failed: ${reason}`, { engagement: engagementLog });
+      }
+      engagementLog.outcome = attack.killed ? 'KILLED' : attack.hit ? 'HIT' : 'MISS';
+      engagementLog.damage = attack.hit ? (attack.killed ? 'lethal' : attack.damage) : 0;
+      engagementLog.summary = attack.text;
+      return this.formatResponse('SUCCESS', attack.text, { engagement: engagementLog });
+    }
+
     return this.formatResponse('SUCCESS', 'Engagement directive processed', {
       engagement: engagementLog
     });
@@ -431,6 +448,28 @@ class DeltaGreenInputProcessor {
     };
   }
 
+  /**
+   * Serialize for AI Dungeon's JSON state; the command registry is rebuilt on load
+   */
+  toJSON() {
+    return {
+      agentStates: Array.from(this.agentStates.entries()),
+      actionLog: this.actionLog,
+      threatLevel: this.threatLevel
+    };
+  }
+
+  /**
+   * Restore a processor saved with toJSON
+   */
+  static fromJSON(data = {}) {
+    const processor = new DeltaGreenInputProcessor();
+    processor.agentStates = new Map(Array.isArray(data.agentStates) ? data.agentStates : Object.entries(data.agentStates || {}));
+    processor.actionLog = Array.isArray(data.actionLog) ? data.actionLog : [];
+    processor.threatLevel = data.threatLevel || 'NORMAL';
+    return processor;
+  }
+
   /**
    * Generate help text for commands
    */
@@ -544,13 +544,21 @@ class DAS_Agent {
     return Math.floor(Math.random() * 100) + 1;
   }
 
+  /**
+   * Check for matching doubles (11, 22, ... 99), which are criticals in Delta Green
+   */
+  isMatchingDoubles(roll) {
+    return roll < 100 && roll % 11 === 0;
+  }
+
   /**
    * Perform a skill check
    */
   skillCheck(skillName, difficulty = 50) {
     const skillValue = this.skills[skillName] || 0;
     const roll = this.rollD100();
-    const success = roll <= skillValue;
+    const success = roll === 1 || (roll !== 100 && roll <= skillValue);
+    const doubles = this.isMatchingDoubles(roll);
     const difficulty_met = skillValue >= difficulty;
 
     return {
@@ -559,8 +567,8 @@ class DAS_Agent {
       roll: roll,
       difficulty: difficulty,
       success: success,
-      criticalSuccess: roll === 1,
-      criticalFailure: roll === 100,
+      criticalSuccess: roll === 1 || (success && doubles),
+      criticalFailure: roll === 100 || (!success && doubles),
       difficultyMet: difficulty_met,
       margin: success ? skillValue - roll : roll - skillValue
     };
@@ -572,7 +580,8 @@ class DAS_Agent {
   attributeCheck(attributeName, difficulty = 50) {
     const attributeValue = this.attributes[attributeName] || 50;
     const roll = this.rollD100();
-    const success = roll <= attributeValue;
+    const success = roll === 1 || (roll !== 100 && roll <= attributeValue);
+    const doubles = this.isMatchingDoubles(roll);
 
     return {
       attribute: attributeName,
@@ -580,8 +589,8 @@ class DAS_Agent {
       roll: roll,
       difficulty: difficulty,
       success: success,
-      criticalSuccess: roll === 1,
-      criticalFailure: roll === 100,
+      criticalSuccess: roll === 1 || (success && doubles),
+      criticalFailure: roll === 100 || (!success && doubles),
       margin: success ? attributeValue - roll : roll - attributeValue
     };
   }